@@ -62,25 +62,584 @@
 
      Node:
      +  u8: length of char data
-     +  u8: flags => bit 0: is_publicsuffix, bit 1: is_exception
+     +  u8: flags => bit 0: is_publicsuffix, bit 1: is_exception,
+                     bit 2: is_icann, bit 3: is_private
      + u16: length of array of children
      + u32: char data or offset to char data
      + u32: offset to array of children
      = 12 bytes
 
-    More bits in flags could be used; for example:
-    - to distinguish private suffixes
+    A rule found outside the ICANN and PRIVATE sections of the list, such as
+    the implicit "*" rule, has neither of the section bits set.
 
 */
 
                                     // i32 /  i8
 const HOSTNAME_SLOT         = 0;    // jshint ignore:line
-const LABEL_INDICES_SLOT    = 256;  //  -- / 256 (256/2 => 128 labels max)
-const RULES_PTR_SLOT        = 100;  // 100 / 400 (400-256=144 => 144>128)
-const SUFFIX_NOT_FOUND_SLOT = 399;  //  -- / 399 (safe, see above)
-const CHARDATA_PTR_SLOT     = 101;  // 101 / 404
+const LABEL_INDICES_SLOT    = 256;  //  -- / 256 (127 labels max)
+const RULES_PTR_SLOT        = 128;  // 128 / 512 (256+1+2*126=509 => 509<512)
+const CHARDATA_PTR_SLOT     = 129;  // 129 / 516
+const SUFFIX_RULE_SLOT      = 130;  // 130 / 520
+const IGNORED_FLAGS_SLOT    = 524;  //  -- / 524
+const SUFFIX_NOT_FOUND_SLOT = 525;  //  -- / 525
+const RESERVED_BYTE_LENGTH  = 528;
 const EMPTY_STRING          = '';
-const SELFIE_MAGIC          = 2;
+const SELFIE_MAGIC          = 4;
+
+// Longer hostnames are not valid: their lookups return empty results.
+const HOSTNAME_MAX_LENGTH   = 253;
+// Hostnames with more labels, which can only happen with empty labels, would
+// overflow the label indices: their lookups return empty results.
+const HOSTNAME_MAX_LABELS   = 127;
+
+/******************************************************************************/
+
+// https://url.spec.whatwg.org/#concept-ipv4-parser
+//
+// Short, octal and hexadecimal forms are accepted, e.g. '10.1', '010.0.0.1'
+// and '0xa.0.0.1' are all valid IPv4 addresses.
+
+const parseIPv4Number = function(s) {
+    let radix = 10;
+    if ( s.length > 1 && s.charCodeAt(0) === 0x30 /* '0' */ ) {
+        if ( s.charCodeAt(1) === 0x78 /* 'x' */ ) {
+            radix = 16;
+            s = s.slice(2);
+            if ( s.length === 0 ) { return 0; }
+        } else {
+            radix = 8;
+            s = s.slice(1);
+        }
+    }
+    const re = radix === 10 ? /^\d+$/ : radix === 16 ? /^[0-9a-f]+$/ : /^[0-7]+$/;
+    return re.test(s) ? parseInt(s, radix) : NaN;
+};
+
+const isIPv4Address = function(hostname) {
+    const parts = hostname.split('.');
+    if ( parts.length > 1 && parts[parts.length-1] === EMPTY_STRING ) {
+        parts.pop();
+    }
+    const n = parts.length;
+    if ( n > 4 ) { return false; }
+    for ( let i = 0; i < n; i++ ) {
+        const v = parseIPv4Number(parts[i]);
+        if ( isNaN(v) ) { return false; }
+        if ( v >= (i === n - 1 ? 256 ** (5 - n) : 256) ) { return false; }
+    }
+    return true;
+};
+
+// https://url.spec.whatwg.org/#concept-ipv6-parser
+
+const isIPv6Address = function(hostname) {
+    const halves = hostname.split('::');
+    if ( halves.length > 2 ) { return false; }
+    let count = 0;
+    for ( const half of halves ) {
+        if ( half.length === 0 ) { continue; }
+        const pieces = half.split(':');
+        for ( let i = 0; i < pieces.length; i++ ) {
+            const piece = pieces[i];
+            if ( /^[0-9a-f]{1,4}$/.test(piece) ) {
+                count += 1;
+                continue;
+            }
+            // Embedded IPv4 address, only as the last piece
+            if (
+                half !== halves[halves.length-1] || i !== pieces.length - 1 ||
+                /^(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?:\.|$)){4}$/.test(piece) === false
+            ) {
+                return false;
+            }
+            count += 2;
+        }
+    }
+    return halves.length === 2 ? count < 8 : count === 8;
+};
+
+// A hostname which contains a colon, or whose last label is a number, can't be
+// anything else than an IP address, valid or not.
+// https://url.spec.whatwg.org/#ends-in-a-number-checker
+
+const mustBeIPAddress = function(hostname) {
+    if ( hostname.charCodeAt(0) === 0x5B /* '[' */ ) { return true; }
+    if ( hostname.includes(':') ) { return true; }
+    let end = hostname.length;
+    if ( hostname.charCodeAt(end - 1) === 0x2E /* '.' */ ) { end -= 1; }
+    const beg = hostname.lastIndexOf('.', end - 1) + 1;
+    const c = hostname.charCodeAt(beg);
+    if ( c < 0x30 /* '0' */ || c > 0x39 /* '9' */ ) { return false; }
+    return /^(?:\d+|0x[0-9a-f]*)$/.test(hostname.slice(beg, end));
+};
+
+/******************************************************************************/
+
+// https://datatracker.ietf.org/doc/html/rfc3492
+
+const PUNYCODE_BASE = 36;
+const PUNYCODE_TMIN = 1;
+const PUNYCODE_TMAX = 26;
+
+const punycodeAdapt = function(delta, numPoints, firstTime) {
+    delta = firstTime ? Math.floor(delta / 700) : delta >>> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while ( delta > (PUNYCODE_BASE - PUNYCODE_TMIN) * PUNYCODE_TMAX >>> 1 ) {
+        delta = Math.floor(delta / (PUNYCODE_BASE - PUNYCODE_TMIN));
+        k += PUNYCODE_BASE;
+    }
+    return k + Math.floor((PUNYCODE_BASE - PUNYCODE_TMIN + 1) * delta / (delta + 38));
+};
+
+const punycodeThreshold = function(k, bias) {
+    if ( k <= bias ) { return PUNYCODE_TMIN; }
+    if ( k >= bias + PUNYCODE_TMAX ) { return PUNYCODE_TMAX; }
+    return k - bias;
+};
+
+const punycodeEncode = function(input) {
+    const codePoints = Array.from(input, c => c.codePointAt(0));
+    const output = [];
+    for ( const c of codePoints ) {
+        if ( c < 0x80 ) { output.push(c); }
+    }
+    const b = output.length;
+    if ( b !== 0 ) { output.push(0x2D /* '-' */); }
+    // 'a'-'z' => 0-25, '0'-'9' => 26-35
+    const encodeDigit = d => d < 26 ? d + 0x61 : d + 0x16;
+    let n = 0x80;
+    let delta = 0;
+    let bias = 72;
+    let h = b;
+    while ( h < codePoints.length ) {
+        let m = Number.MAX_SAFE_INTEGER;
+        for ( const c of codePoints ) {
+            if ( c >= n && c < m ) { m = c; }
+        }
+        delta += (m - n) * (h + 1);
+        n = m;
+        for ( const c of codePoints ) {
+            if ( c < n ) { delta += 1; }
+            if ( c !== n ) { continue; }
+            let q = delta;
+            for ( let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE ) {
+                const t = punycodeThreshold(k, bias);
+                if ( q < t ) { break; }
+                output.push(encodeDigit(t + (q - t) % (PUNYCODE_BASE - t)));
+                q = Math.floor((q - t) / (PUNYCODE_BASE - t));
+            }
+            output.push(encodeDigit(q));
+            bias = punycodeAdapt(delta, h + 1, h === b);
+            delta = 0;
+            h += 1;
+        }
+        delta += 1;
+        n += 1;
+    }
+    return String.fromCharCode(...output);
+};
+
+const punycodeDecode = function(input) {
+    const decodeDigit = c => {
+        if ( c >= 0x30 && c <= 0x39 ) { return c - 0x16; }
+        if ( c >= 0x41 && c <= 0x5A ) { return c - 0x41; }
+        if ( c >= 0x61 && c <= 0x7A ) { return c - 0x61; }
+        return PUNYCODE_BASE;
+    };
+    const basic = input.lastIndexOf('-');
+    const output = [];
+    for ( let j = 0; j < basic; j++ ) {
+        const c = input.charCodeAt(j);
+        if ( c >= 0x80 ) { throw new RangeError('Invalid punycode input'); }
+        output.push(c);
+    }
+    let n = 0x80;
+    let bias = 72;
+    let i = 0;
+    let j = basic > 0 ? basic + 1 : 0;
+    while ( j < input.length ) {
+        const oldi = i;
+        let w = 1;
+        for ( let k = PUNYCODE_BASE; ; k += PUNYCODE_BASE ) {
+            if ( j >= input.length ) {
+                throw new RangeError('Invalid punycode input');
+            }
+            const digit = decodeDigit(input.charCodeAt(j++));
+            if ( digit >= PUNYCODE_BASE ) {
+                throw new RangeError('Invalid punycode input');
+            }
+            i += digit * w;
+            const t = punycodeThreshold(k, bias);
+            if ( digit < t ) { break; }
+            w *= PUNYCODE_BASE - t;
+        }
+        const out = output.length + 1;
+        bias = punycodeAdapt(i - oldi, out, oldi === 0);
+        n += Math.floor(i / out);
+        i %= out;
+        if ( n > 0x10FFFF ) { throw new RangeError('Invalid punycode input'); }
+        output.splice(i, 0, n);
+        i += 1;
+    }
+    return String.fromCodePoint(...output);
+};
+
+/******************************************************************************/
+
+// IDNA conversion of a domain name between its Unicode and ASCII forms.
+//
+// https://www.unicode.org/reports/tr46/
+//
+// The UTS #46 mapping step is approximated with NFKC normalization and lower
+// casing, which gives the same result for the names found in the Public
+// Suffix List and for most names found in the wild.
+
+const mustPunycode = /[^\x00-\x7F]/;
+
+const toASCII = function(domain) {
+    domain = domain.normalize('NFKC')
+                   .toLowerCase()
+                   .replace(/[\u3002\uFF0E\uFF61]/g, '.');
+    if ( mustPunycode.test(domain) === false ) { return domain; }
+    return domain.split('.').map(label =>
+        mustPunycode.test(label) ? `xn--${punycodeEncode(label)}` : label
+    ).join('.');
+};
+
+const toUnicode = function(domain) {
+    if ( domain.includes('xn--') === false ) { return domain; }
+    return domain.split('.').map(label => {
+        if ( label.startsWith('xn--') === false ) { return label; }
+        try {
+            return punycodeDecode(label.slice(4));
+        } catch(ex) {
+        }
+        return label;
+    }).join('.');
+};
+
+/******************************************************************************/
+
+// https://en.wikipedia.org/wiki/Hostname#Syntax
+//
+// Returns the reason why `label` is not a valid hostname label, or an empty
+// string if it is valid.
+
+const validateLabel = function(label) {
+    if ( label.length === 0 ) { return 'empty-label'; }
+    if ( label.length > 63 ) { return 'label-too-long'; }
+    if ( /[^a-z0-9-]/.test(label) ) { return 'invalid-character'; }
+    if ( label.charCodeAt(0) === 0x2D /* '-' */ ) { return 'leading-hyphen'; }
+    if ( label.charCodeAt(label.length - 1) === 0x2D /* '-' */ ) {
+        return 'trailing-hyphen';
+    }
+    return EMPTY_STRING;
+};
+
+// Control characters, which can not be part of a label once decoded from
+// punycode.
+
+const mustNotDecodeTo = /[\x00-\x1F\x7F-\x9F]/;
+
+// A wildcard is valid only as the leftmost label of a rule which is not an
+// exception.
+//
+// Returns the reason why `rule` is not valid along with the index of the
+// offending label, or null if it is valid.
+
+const validateRule = function(rule, exception) {
+    const labels = rule.split('.');
+    for ( let i = 0; i < labels.length; i++ ) {
+        const label = labels[i];
+        if ( label === '*' && i === 0 && exception === false ) { continue; }
+        if ( label.includes('*') ) {
+            return { reason: 'misplaced-wildcard', label: i };
+        }
+        const reason = validateLabel(label);
+        if ( reason !== EMPTY_STRING ) { return { reason, label: i }; }
+    }
+    return null;
+};
+
+/******************************************************************************/
+
+// Thrown by parse() in strict mode. `line` and `column` are 1-based, `source`
+// is the name of the list when combining many lists.
+
+class ParseError extends Error {
+    constructor({ source, line, column, text, reason, cause }) {
+        super(source !== undefined
+            ? `Line ${line}, column ${column} of ${source}: ${reason}: ${text}`
+            : `Line ${line}, column ${column}: ${reason}: ${text}`
+        );
+        this.name = 'ParseError';
+        if ( source !== undefined ) {
+            this.source = source;
+        }
+        this.line = line;
+        this.column = column;
+        this.text = text;
+        this.reason = reason;
+        if ( cause !== undefined ) {
+            this.cause = cause;
+        }
+    }
+}
+
+/******************************************************************************/
+
+// The list is first built as a tree of labels, which is then encoded into the
+// buffer. Use short property names for better minifying results:
+//   l => label, f => flags, c => children
+
+const compareLabels = function(a, b) {
+    let n = a.length;
+    let d = n - b.length;
+    if ( d !== 0 ) { return d; }
+    for ( let i = 0; i < n; i++ ) {
+        d = a.charCodeAt(i) - b.charCodeAt(i);
+        if ( d !== 0 ) { return d; }
+    }
+    return 0;
+};
+
+const createTree = function() {
+    const rootRule = { l: EMPTY_STRING, f: 0, c: null };
+    // 2. If no rules match, the prevailing rule is "*".
+    addToTree(rootRule, '*', false, 0);
+    return rootRule;
+};
+
+const addToTree = function(rootRule, rule, exception, section) {
+    let node = rootRule;
+    let end = rule.length;
+    while ( end > 0 ) {
+        const beg = rule.lastIndexOf('.', end - 1);
+        const label = rule.slice(beg + 1, end);
+        end = beg;
+
+        if ( Array.isArray(node.c) === false ) {
+            const child = { l: label, f: 0, c: null };
+            node.c = [ child ];
+            node = child;
+            continue;
+        }
+
+        let left = 0;
+        let right = node.c.length;
+        while ( left < right ) {
+            const i = left + right >>> 1;
+            const d = compareLabels(label, node.c[i].l);
+            if ( d < 0 ) {
+                right = i;
+                if ( right === left ) {
+                    const child = {
+                        l: label,
+                        f: 0,
+                        c: null
+                    };
+                    node.c.splice(left, 0, child);
+                    node = child;
+                    break;
+                }
+                continue;
+            }
+            if ( d > 0 ) {
+                left = i + 1;
+                if ( left === right ) {
+                    const child = {
+                        l: label,
+                        f: 0,
+                        c: null
+                    };
+                    node.c.splice(right, 0, child);
+                    node = child;
+                    break;
+                }
+                continue;
+            }
+            /* d === 0 */
+            node = node.c[i];
+            break;
+        }
+    }
+    node.f |= 0b01;
+    if ( exception ) {
+        node.f |= 0b10;
+    }
+    // The last section in which a rule is found wins
+    node.f = node.f & ~0b1100 | section;
+    return node;
+};
+
+// Returns whether the rule was found. Nodes left without purpose are pruned,
+// and the implicit "*" rule is restored rather than removed.
+
+const removeFromTree = function(rootRule, rule, exception) {
+    const path = [ rootRule ];
+    let node = rootRule;
+    let end = rule.length;
+    while ( end > 0 ) {
+        const beg = rule.lastIndexOf('.', end - 1);
+        const label = rule.slice(beg + 1, end);
+        end = beg;
+        if ( node.c === null ) { return false; }
+        node = node.c.find(child => child.l === label);
+        if ( node === undefined ) { return false; }
+        path.push(node);
+    }
+    if ( (node.f & 0b01) === 0 ) { return false; }
+    if ( (node.f & 0b10) !== (exception ? 0b10 : 0) ) { return false; }
+    if ( node === rootRule.c[0] ) {
+        node.f = 0b01;
+        return true;
+    }
+    node.f = 0;
+    for ( let i = path.length - 1; i > 0; i-- ) {
+        node = path[i];
+        if ( node.f !== 0 || node.c !== null ) { break; }
+        const parent = path[i-1];
+        parent.c.splice(parent.c.indexOf(node), 1);
+        if ( parent.c.length === 0 ) {
+            parent.c = null;
+        }
+    }
+    return true;
+};
+
+// Returns null if the tree does not fit the encoding, see above.
+
+const encodeTree = function(rootRule) {
+    const labelToOffsetMap = new Map();
+    const treeData = [];
+    const charData = [];
+
+    const allocate = function(n) {
+        const ibuf = treeData.length;
+        for ( let i = 0; i < n; i++ ) {
+            treeData.push(0);
+        }
+        return ibuf;
+    };
+
+    // Returns false if the node does not fit in the encoding
+    const storeNode = function(ibuf, node) {
+        const nChars = node.l.length;
+        const nChildren = node.c !== null
+            ? node.c.length
+            : 0;
+        if ( nChildren > 0xFFFF || nChars > 0xFF ) { return false; }
+        treeData[ibuf+0] = nChildren << 16 | node.f << 8 | nChars;
+        // char data
+        if ( nChars <= 4 ) {
+            let v = 0;
+            if ( nChars > 0 ) {
+                v |= node.l.charCodeAt(0);
+                if ( nChars > 1 ) {
+                    v |= node.l.charCodeAt(1) << 8;
+                    if ( nChars > 2 ) {
+                        v |= node.l.charCodeAt(2) << 16;
+                        if ( nChars > 3 ) {
+                            v |= node.l.charCodeAt(3) << 24;
+                        }
+                    }
+                }
+            }
+            treeData[ibuf+1] = v;
+        } else {
+            let offset = labelToOffsetMap.get(node.l);
+            if ( typeof offset === 'undefined' ) {
+                offset = charData.length;
+                for ( let i = 0; i < nChars; i++ ) {
+                    charData.push(node.l.charCodeAt(i));
+                }
+                labelToOffsetMap.set(node.l, offset);
+            }
+            treeData[ibuf+1] = offset;
+        }
+        // child nodes
+        if ( Array.isArray(node.c) === false ) {
+            treeData[ibuf+2] = 0;
+            return true;
+        }
+
+        const iarray = allocate(nChildren * 3);
+        treeData[ibuf+2] = iarray;
+        for ( let i = 0; i < nChildren; i++ ) {
+            if ( storeNode(iarray + i * 3, node.c[i]) === false ) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    // First bytes are reserved for internal use
+    allocate(RESERVED_BYTE_LENGTH >> 2);
+
+    const iRootRule = allocate(3);
+    if ( storeNode(iRootRule, rootRule) === false ) { return null; }
+    treeData[RULES_PTR_SLOT] = iRootRule;
+
+    const iCharData = treeData.length << 2;
+    treeData[CHARDATA_PTR_SLOT] = iCharData;
+
+    return { treeData, charData };
+};
+
+// The reverse of encodeTree()
+
+const decodeTree = function(buf32, buf8) {
+    const iCharData = buf32[CHARDATA_PTR_SLOT];
+    const decodeNode = function(iNode) {
+        const word = buf32[iNode+0];
+        const nChars = word & 0x000000FF;
+        const iChar = nChars <= 4
+            ? iNode + 1 << 2
+            : iCharData + buf32[iNode+1];
+        const node = {
+            l: String.fromCharCode(...buf8.subarray(iChar, iChar + nChars)),
+            f: word >>> 8 & 0xFF,
+            c: null
+        };
+        const nChildren = word >>> 16;
+        if ( nChildren !== 0 ) {
+            const iChildren = buf32[iNode+2];
+            node.c = [];
+            for ( let i = 0; i < nChildren; i++ ) {
+                node.c.push(decodeNode(iChildren + i * 3));
+            }
+        }
+        return node;
+    };
+    return decodeNode(buf32[RULES_PTR_SLOT]);
+};
+
+const sectionFromFlags = function(flags) {
+    if ( (flags & 0b1000) !== 0 ) { return 'private'; }
+    if ( (flags & 0b0100) !== 0 ) { return 'icann'; }
+    return EMPTY_STRING;
+};
+
+// Returns the rule in punycode along with whether it is an exception rule, or
+// null if the rule is not valid.
+
+const mustConvertRule = /[^*a-z0-9.-]/;
+
+const normalizeRule = function(text) {
+    if ( typeof text !== 'string' ) { return null; }
+    let rule = text.trim().toLowerCase();
+    const exception = rule.charCodeAt(0) === 0x21 /* '!' */;
+    if ( exception ) {
+        rule = rule.slice(1);
+    }
+    if ( mustConvertRule.test(rule) ) {
+        rule = toASCII(rule);
+    }
+    if ( rule.length === 0 || rule.length > 253 ) { return null; }
+    if ( validateRule(rule, exception) !== null ) { return null; }
+    return { rule, exception };
+};
 
 /******************************************************************************/
 
@@ -93,6 +652,13 @@ class PublicSuffixList {
         this._pslBuffer8 = null;
         this._pslByteLength = 0;
         this._hostnameArg = EMPTY_STRING;
+        this._hostnameArgDot = EMPTY_STRING;
+        this._provenance = null;
+
+        this._cache = null;
+        this._cacheSize = 0;
+        this._cacheHits = 0;
+        this._cacheMisses = 0;
 
         this._getPublicSuffixPosWASM = null;
         this._getPublicSuffixPos = this._getPublicSuffixPosJS;
@@ -102,29 +668,46 @@ class PublicSuffixList {
 
     /**************************************************************************/
 
+    // Returns false if the memory could not be allocated, in which case the
+    // current buffers are left untouched.
+
     _allocateBuffers(byteLength) {
-        this._pslByteLength = byteLength + 3 & ~3;
+        byteLength = byteLength + 3 & ~3;
         if (
-            this._pslBuffer32 !== null &&
-            this._pslBuffer32.byteLength >= this._pslByteLength
+            this._pslBuffer32 === null ||
+            this._pslBuffer32.byteLength < byteLength
         ) {
-            return;
-        }
-        if ( this._wasmMemory !== null ) {
-            const newPageCount = this._pslByteLength + 0xFFFF >>> 16;
-            const curPageCount = this._wasmMemory.buffer.byteLength >>> 16;
-            const delta = newPageCount - curPageCount;
-            if ( delta > 0 ) {
-                this._wasmMemory.grow(delta);
-                this._pslBuffer32 = new Uint32Array(this._wasmMemory.buffer);
-                this._pslBuffer8 = new Uint8Array(this._wasmMemory.buffer);
+            if ( this._wasmMemory !== null ) {
+                const newPageCount = byteLength + 0xFFFF >>> 16;
+                const curPageCount = this._wasmMemory.buffer.byteLength >>> 16;
+                const delta = newPageCount - curPageCount;
+                if ( delta > 0 ) {
+                    try {
+                        this._wasmMemory.grow(delta);
+                    } catch(ex) {
+                        return false;
+                    }
+                }
+                // The views must be created when the memory is first used,
+                // even if it does not need to grow
+                if ( delta > 0 || this._pslBuffer32 === null ) {
+                    this._pslBuffer32 = new Uint32Array(this._wasmMemory.buffer);
+                    this._pslBuffer8 = new Uint8Array(this._wasmMemory.buffer);
+                }
+            } else {
+                this._pslBuffer8 = new Uint8Array(byteLength);
+                this._pslBuffer32 = new Uint32Array(this._pslBuffer8.buffer);
             }
-        } else {
-            this._pslBuffer8 = new Uint8Array(this._pslByteLength);
-            this._pslBuffer32 = new Uint32Array(this._pslBuffer8.buffer);
         }
+        // The buffer may be reused, so memoized hostname and cached results
+        // must be discarded
+        this._pslByteLength = byteLength;
         this._hostnameArg = EMPTY_STRING;
         this._pslBuffer8[LABEL_INDICES_SLOT] = 0;
+        if ( this._cache !== null ) {
+            this._cache.clear();
+        }
+        return true;
     }
 
     /**************************************************************************/
@@ -132,228 +715,391 @@ class PublicSuffixList {
     // Parse and set a UTF-8 text-based suffix list. Format is same as found at:
     // http://publicsuffix.org/list/
     //
-    // `toAscii` is a converter from unicode to punycode. Required since the
-    // Public Suffix List contains unicode characters.
-    // Suggestion: use <https://github.com/bestiejs/punycode.js>
-
-    parse(text, toAscii) {
-        // Use short property names for better minifying results
-        const rootRule = {
-            l: EMPTY_STRING,    // l => label
-            f: 0,               // f => flags
-            c: null             // c => children
+    // `text` can also be an array of many lists to combine, as
+    // `[ { name, text }, … ]`, e.g. the official list followed by an internal
+    // list. A rule defined in a list replaces the same rule, exception or not,
+    // defined in a previous list, such that later lists take precedence. The
+    // name of the list from which a rule comes is reported as `source` in
+    // diagnostics and provenance.
+    //
+    // `toAscii` is a converter from unicode to punycode, since the Public
+    // Suffix List contains unicode characters. Defaults to the built-in
+    // toASCII().
+    //
+    // Options:
+    // - `provenance`: remember for each rule the line number at which it was
+    //   found and the comment block preceding it, see explainMatch(). Off by
+    //   default, as this information is kept outside the buffer.
+    // - `onDiagnostic`: called for each rejected or suspicious line with an
+    //   object `{ line, column, text, reason, severity }`, where `line` and
+    //   `column` are 1-based and `text` is the content of the line. Severity
+    //   'error' reasons, for rules which are not valid:
+    //     'empty-rule', 'rule-too-long' (rule is rejected), 'empty-label',
+    //     'label-too-long', 'invalid-character', 'leading-hyphen',
+    //     'trailing-hyphen', 'misplaced-wildcard', 'to-ascii-failed'
+    //   Severity 'warning' reasons, for rules which are valid:
+    //     'duplicate-rule', 'exception-without-wildcard', and when combining
+    //     lists, 'section-conflict' (same rule in another section of a
+    //     previous list) and 'exception-conflict' (same rule as exception or
+    //     not in a previous list)
+    // - `strict`: throw a ParseError on the first 'error' diagnostic, in
+    //   which case the previously parsed list, if any, is kept.
+    //
+    // The new list is swapped in only once it has been fully built. Returns
+    // true on success, or false if `toAscii` threw or if the list exceeds the
+    // limits of the encoding (more than 65535 children for a given label), in
+    // which case the previously parsed list, if any, is kept.
+
+    parse(text, toAscii = toASCII, {
+        provenance = false,
+        onDiagnostic = null,
+        strict = false,
+    } = {}) {
+        const rootRule = createTree();
+
+        const sources = typeof text === 'string'
+            ? [ { name: undefined, text } ]
+            : text;
+
+        // Node => index of the list which last defined it, only needed when
+        // combining lists
+        const nodeSources = typeof text !== 'string' ? new Map() : null;
+
+        const provenanceMap = provenance ? new Map() : null;
+
+        // Rule => where it was found, only needed for diagnostics
+        const ruleMap = onDiagnostic !== null || strict ? new Map() : null;
+        const report = function(where, reason, severity, cause) {
+            if ( onDiagnostic !== null ) {
+                onDiagnostic({ ...where, reason, severity });
+            }
+            if ( strict && severity === 'error' ) {
+                throw new ParseError({ ...where, reason, cause });
+            }
         };
 
         // Tree building
         {
-            const compareLabels = function(a, b) {
-                let n = a.length;
-                let d = n - b.length;
-                if ( d !== 0 ) { return d; }
-                for ( let i = 0; i < n; i++ ) {
-                    d = a.charCodeAt(i) - b.charCodeAt(i);
-                    if ( d !== 0 ) { return d; }
-                }
-                return 0;
-            };
-
-            const addToTree = function(rule, exception) {
-                let node = rootRule;
-                let end = rule.length;
-                while ( end > 0 ) {
-                    const beg = rule.lastIndexOf('.', end - 1);
-                    const label = rule.slice(beg + 1, end);
-                    end = beg;
-
-                    if ( Array.isArray(node.c) === false ) {
-                        const child = { l: label, f: 0, c: null };
-                        node.c = [ child ];
-                        node = child;
-                        continue;
+            const sectionMarker = /^\/\/\s*===(BEGIN|END) (ICANN|PRIVATE) DOMAINS===/;
+
+            for ( let iSource = 0; iSource < sources.length; iSource++ ) {
+                const { name, text } = sources[iSource];
+                const textEnd = text.length;
+                let lineBeg = 0;
+                let lineNumber = 0;
+                let section = 0;
+                let comment = EMPTY_STRING;
+                let commentEnded = true;
+
+                while ( lineBeg < textEnd ) {
+                    let lineEnd = text.indexOf('\n', lineBeg);
+                    if ( lineEnd === -1 ) {
+                        lineEnd = text.indexOf('\r', lineBeg);
+                        if ( lineEnd === -1 ) {
+                            lineEnd = textEnd;
+                        }
                     }
-
-                    let left = 0;
-                    let right = node.c.length;
-                    while ( left < right ) {
-                        const i = left + right >>> 1;
-                        const d = compareLabels(label, node.c[i].l);
-                        if ( d < 0 ) {
-                            right = i;
-                            if ( right === left ) {
-                                const child = {
-                                    l: label,
-                                    f: 0,
-                                    c: null
-                                };
-                                node.c.splice(left, 0, child);
-                                node = child;
-                                break;
-                            }
+                    let line = text.slice(lineBeg, lineEnd);
+                    lineBeg = lineEnd + 1;
+                    lineNumber += 1;
+
+                    // Ignore comments, except for section markers
+                    const pos = line.indexOf('//');
+                    if ( pos !== -1 ) {
+                        const match = sectionMarker.exec(line.slice(pos));
+                        if ( match !== null ) {
+                            section = match[1] === 'END'
+                                ? 0
+                                : match[2] === 'ICANN' ? 0b0100 : 0b1000;
+                            comment = EMPTY_STRING;
+                        } else if (
+                            provenanceMap !== null &&
+                            line.slice(0, pos).trim().length === 0
+                        ) {
+                            // Consecutive comment lines form a single block
+                            const commentLine = line.slice(pos + 2).trim();
+                            comment = commentEnded
+                                ? commentLine
+                                : `${comment}\n${commentLine}`;
+                            commentEnded = false;
                             continue;
                         }
-                        if ( d > 0 ) {
-                            left = i + 1;
-                            if ( left === right ) {
-                                const child = {
-                                    l: label,
-                                    f: 0,
-                                    c: null
-                                };
-                                node.c.splice(right, 0, child);
-                                node = child;
-                                break;
+                        line = line.slice(0, pos);
+                    }
+                    commentEnded = true;
+
+                    // Ignore surrounding whitespaces
+                    const column = line.length - line.trimStart().length + 1;
+                    line = line.trim();
+                    const lineText = line;
+
+                    let where = null;
+                    if ( ruleMap !== null ) {
+                        where = name !== undefined
+                            ? { source: name, line: lineNumber, column, text: lineText }
+                            : { line: lineNumber, column, text: lineText };
+                    }
+
+                    const exception = line.length > 0 && line.charCodeAt(0) === 0x21 /* '!' */;
+                    if ( exception ) {
+                        line = line.slice(1);
+                    }
+
+                    if ( line.length > 0 && mustConvertRule.test(line) ) {
+                        try {
+                            line = toAscii(line.toLowerCase());
+                        } catch(ex) {
+                            if ( ruleMap !== null ) {
+                                report(where, 'to-ascii-failed', 'error', ex);
                             }
-                            continue;
+                            return false;
                         }
-                        /* d === 0 */
-                        node = node.c[i];
-                        break;
                     }
-                }
-                node.f |= 0b01;
-                if ( exception ) {
-                    node.f |= 0b10;
-                }
-            };
-
-            // 2. If no rules match, the prevailing rule is "*".
-            addToTree('*', false);
 
-            const mustPunycode = /[^*a-z0-9.-]/;
-            const textEnd = text.length;
-            let lineBeg = 0;
+                    // https://en.wikipedia.org/wiki/Hostname#Syntax
+                    if ( line.length === 0 || line.length > 253 ) {
+                        if ( ruleMap !== null && lineText.length !== 0 ) {
+                            report(where,
+                                line.length === 0 ? 'empty-rule' : 'rule-too-long',
+                                'error'
+                            );
+                        }
+                        continue;
+                    }
 
-            while ( lineBeg < textEnd ) {
-                let lineEnd = text.indexOf('\n', lineBeg);
-                if ( lineEnd === -1 ) {
-                    lineEnd = text.indexOf('\r', lineBeg);
-                    if ( lineEnd === -1 ) {
-                        lineEnd = textEnd;
+                    if ( ruleMap !== null ) {
+                        const invalid = validateRule(line, exception);
+                        if ( invalid !== null ) {
+                            // Column of the offending label in the original text
+                            let offset = exception ? 1 : 0;
+                            for ( let i = 0; i < invalid.label; i++ ) {
+                                offset = lineText.indexOf('.', offset) + 1;
+                                if ( offset === 0 ) { break; }
+                            }
+                            report({ ...where, column: column + offset },
+                                invalid.reason, 'error'
+                            );
+                        }
+                        const rule = exception ? `!${line}` : line;
+                        const previous = ruleMap.get(rule);
+                        if ( previous !== undefined ) {
+                            if ( previous.iSource === iSource ) {
+                                report(where, 'duplicate-rule', 'warning');
+                            } else if ( previous.section !== section ) {
+                                report(where, 'section-conflict', 'warning');
+                            }
+                        }
+                        const opposite = exception ? line : `!${line}`;
+                        const shadowed = ruleMap.get(opposite);
+                        if ( shadowed !== undefined && shadowed.iSource !== iSource ) {
+                            report(where, 'exception-conflict', 'warning');
+                            ruleMap.delete(opposite);
+                        }
+                        if ( previous === undefined || previous.iSource !== iSource ) {
+                            ruleMap.set(rule, { where, iSource, section });
+                        }
                     }
-                }
-                let line = text.slice(lineBeg, lineEnd);
-                lineBeg = lineEnd + 1;
 
-                // Ignore comments
-                const pos = line.indexOf('//');
-                if ( pos !== -1 ) {
-                    line = line.slice(0, pos);
-                }
+                    const node = addToTree(rootRule, line, exception, section);
 
-                // Ignore surrounding whitespaces
-                line = line.trim();
+                    // Later lists take precedence
+                    if ( nodeSources !== null ) {
+                        const iPrevious = nodeSources.get(node);
+                        if ( iPrevious !== undefined && iPrevious !== iSource ) {
+                            node.f = 0b01 | (exception ? 0b10 : 0) | section;
+                            if ( provenanceMap !== null ) {
+                                provenanceMap.delete(exception ? line : `!${line}`);
+                            }
+                        }
+                        nodeSources.set(node, iSource);
+                    }
 
-                const exception = line.length > 0 && line.charCodeAt(0) === 0x21 /* '!' */;
-                if ( exception ) {
-                    line = line.slice(1);
+                    if ( provenanceMap !== null ) {
+                        provenanceMap.set(exception ? `!${line}` : line, name !== undefined
+                            ? { source: name, line: lineNumber, comment }
+                            : { line: lineNumber, comment }
+                        );
+                    }
                 }
+            }
 
-                if ( line.length > 0 && mustPunycode.test(line) ) {
-                    line = toAscii(line.toLowerCase());
+            // An exception rule is meaningful only if there is a wildcard
+            // rule to which it is an exception.
+            if ( ruleMap !== null ) {
+                for ( const [ rule, { where } ] of ruleMap ) {
+                    if ( rule.charCodeAt(0) !== 0x21 /* '!' */ ) { continue; }
+                    const pos = rule.indexOf('.');
+                    if ( pos !== -1 && ruleMap.has(`*${rule.slice(pos)}`) ) {
+                        continue;
+                    }
+                    report(where, 'exception-without-wildcard', 'warning');
                 }
-
-                // https://en.wikipedia.org/wiki/Hostname#Syntax
-                if ( line.length === 0 || line.length > 253 ) { continue; }
-
-                addToTree(line, exception);
             }
         }
 
-        {
-            const labelToOffsetMap = new Map();
-            const treeData = [];
-            const charData = [];
-
-            const allocate = function(n) {
-                const ibuf = treeData.length;
-                for ( let i = 0; i < n; i++ ) {
-                    treeData.push(0);
-                }
-                return ibuf;
-            };
+        if ( this._loadTree(rootRule) === false ) { return false; }
 
-            const storeNode = function(ibuf, node) {
-                const nChars = node.l.length;
-                const nChildren = node.c !== null
-                    ? node.c.length
-                    : 0;
-                treeData[ibuf+0] = nChildren << 16 | node.f << 8 | nChars;
-                // char data
-                if ( nChars <= 4 ) {
-                    let v = 0;
-                    if ( nChars > 0 ) {
-                        v |= node.l.charCodeAt(0);
-                        if ( nChars > 1 ) {
-                            v |= node.l.charCodeAt(1) << 8;
-                            if ( nChars > 2 ) {
-                                v |= node.l.charCodeAt(2) << 16;
-                                if ( nChars > 3 ) {
-                                    v |= node.l.charCodeAt(3) << 24;
-                                }
-                            }
-                        }
-                    }
-                    treeData[ibuf+1] = v;
-                } else {
-                    let offset = labelToOffsetMap.get(node.l);
-                    if ( typeof offset === 'undefined' ) {
-                        offset = charData.length;
-                        for ( let i = 0; i < nChars; i++ ) {
-                            charData.push(node.l.charCodeAt(i));
-                        }
-                        labelToOffsetMap.set(node.l, offset);
-                    }
-                    treeData[ibuf+1] = offset;
-                }
-                // child nodes
-                if ( Array.isArray(node.c) === false ) {
-                    treeData[ibuf+2] = 0;
-                    return;
-                }
+        this._provenance = provenanceMap;
 
-                const iarray = allocate(nChildren * 3);
-                treeData[ibuf+2] = iarray;
-                for ( let i = 0; i < nChildren; i++ ) {
-                    storeNode(iarray + i * 3, node.c[i]);
-                }
-            };
+        return true;
+    }
 
-            // First 512 bytes are reserved for internal use
-            allocate(512 >> 2);
+    /**************************************************************************/
+
+    // Encode the tree into the buffer. Returns false, leaving the current
+    // buffer untouched, if the tree could not be encoded.
+
+    _loadTree(rootRule) {
+        const encoded = encodeTree(rootRule);
+        if ( encoded === null ) { return false; }
+        const { treeData, charData } = encoded;
+        const byteLength = (treeData.length << 2) + (charData.length + 3 & ~3);
+        if ( this._allocateBuffers(byteLength) === false ) { return false; }
+        this._pslBuffer32.set(treeData);
+        const iCharData = treeData.length << 2;
+        this._pslBuffer8.set(charData, iCharData);
+        // Padding, the buffer may be reused
+        this._pslBuffer8.fill(0, iCharData + charData.length, this._pslByteLength);
+        return true;
+    }
 
-            const iRootRule = allocate(3);
-            storeNode(iRootRule, rootRule);
-            treeData[RULES_PTR_SLOT] = iRootRule;
+    /**************************************************************************/
 
-            const iCharData = treeData.length << 2;
-            treeData[CHARDATA_PTR_SLOT] = iCharData;
+    // Add rules to the current list, without having to parse it again. `rules`
+    // is an array of rules in the same format as found in the list, e.g.
+    // '*.corp.example.com' or '!www.corp.example.com'. The rules are added to
+    // the section specified by the `section` option: 'private' (default),
+    // 'icann', or '' for no section.
+    //
+    // Returns false, leaving the current list untouched, if `rules` is not an
+    // array, if any of the rules is not valid, or if `section` is not one of
+    // the above.
 
-            const byteLength = (treeData.length << 2) + (charData.length + 3 & ~3);
-            this._allocateBuffers(byteLength);
-            this._pslBuffer32.set(treeData);
-            this._pslBuffer8.set(charData, treeData.length << 2);
+    addRules(rules, { section = 'private' } = {}) {
+        if ( Array.isArray(rules) === false ) { return false; }
+        if (
+            section !== 'private' && section !== 'icann' &&
+            section !== EMPTY_STRING
+        ) {
+            return false;
+        }
+        const normalized = [];
+        for ( const text of rules ) {
+            const rule = normalizeRule(text);
+            if ( rule === null ) { return false; }
+            normalized.push(rule);
+        }
+        const sectionBits = section === 'icann'
+            ? 0b0100
+            : section === 'private' ? 0b1000 : 0;
+        const rootRule = this._pslBuffer32 !== null
+            ? decodeTree(this._pslBuffer32, this._pslBuffer8)
+            : createTree();
+        for ( const { rule, exception } of normalized ) {
+            addToTree(rootRule, rule, exception, sectionBits);
+        }
+        if ( this._loadTree(rootRule) === false ) { return false; }
+        // Added rules no longer come from the parsed list
+        if ( this._provenance !== null ) {
+            for ( const { rule, exception } of normalized ) {
+                this._provenance.delete(exception ? `!${rule}` : rule);
+            }
         }
+        return true;
+    }
+
+    // Remove rules from the current list, without having to parse it again.
+    // A rule must be specified as found in the list, i.e. '!city.kobe.jp' to
+    // remove an exception rule. Rules not in the list are ignored.
+    //
+    // Returns false, leaving the current list untouched, if `rules` is not an
+    // array, or if any of the rules is not valid.
+
+    removeRules(rules) {
+        if ( Array.isArray(rules) === false ) { return false; }
+        const normalized = [];
+        for ( const text of rules ) {
+            const rule = normalizeRule(text);
+            if ( rule === null ) { return false; }
+            normalized.push(rule);
+        }
+        if ( this._pslBuffer32 === null ) { return true; }
+        const rootRule = decodeTree(this._pslBuffer32, this._pslBuffer8);
+        let changed = false;
+        for ( const { rule, exception } of normalized ) {
+            if ( removeFromTree(rootRule, rule, exception) ) {
+                changed = true;
+            }
+        }
+        if ( changed === false ) { return true; }
+        if ( this._loadTree(rootRule) === false ) { return false; }
+        if ( this._provenance !== null ) {
+            for ( const { rule, exception } of normalized ) {
+                this._provenance.delete(exception ? `!${rule}` : rule);
+            }
+        }
+        return true;
     }
 
     /**************************************************************************/
 
-    _setHostnameArg(hostname) {
+    _setHostnameArg(hostname, options) {
         const buf = this._pslBuffer8;
-        if ( hostname === this._hostnameArg ) { return buf[LABEL_INDICES_SLOT]; }
+        this._hostnameArgDot = EMPTY_STRING;
+        const idna = options !== undefined && options.idna === true;
+        // A unicode hostname looked up as is does not match its punycode
+        // conversion
+        if (
+            hostname === this._hostnameArg &&
+            (idna === false || mustPunycode.test(hostname) === false)
+        ) {
+            return buf[LABEL_INDICES_SLOT];
+        }
         if ( hostname === null || hostname.length === 0 ) {
             this._hostnameArg = EMPTY_STRING;
             return (buf[LABEL_INDICES_SLOT] = 0);
         }
-        hostname = hostname.toLowerCase();
+        hostname = idna && mustPunycode.test(hostname)
+            ? toASCII(hostname)
+            : hostname.toLowerCase();
+        // The root label of a fully qualified hostname, which is either
+        // rejected or stripped before the lookup
+        if ( hostname.charCodeAt(hostname.length - 1) === 0x2E /* '.' */ ) {
+            const trailingDot = options !== undefined
+                ? options.trailingDot
+                : undefined;
+            if (
+                trailingDot !== 'strip' && trailingDot !== 'preserve' ||
+                hostname.charCodeAt(hostname.length - 2) === 0x2E /* '.' */
+            ) {
+                this._hostnameArg = EMPTY_STRING;
+                return (buf[LABEL_INDICES_SLOT] = 0);
+            }
+            hostname = hostname.slice(0, -1);
+            if ( trailingDot === 'preserve' ) {
+                this._hostnameArgDot = '.';
+            }
+        }
         this._hostnameArg = hostname;
-        let n = hostname.length;
-        if ( n > 255 ) { n = 255; }
+        // Too long to be a hostname, and to be looked up without overflowing
+        // the label indices
+        const n = hostname.length;
+        if ( n > HOSTNAME_MAX_LENGTH ) {
+            return (buf[LABEL_INDICES_SLOT] = 0);
+        }
+        // IP addresses do not have a public suffix
+        if ( mustBeIPAddress(hostname) ) {
+            return (buf[LABEL_INDICES_SLOT] = 0);
+        }
         buf[LABEL_INDICES_SLOT] = n;
         let i = n;
         let j = LABEL_INDICES_SLOT + 1;
         while ( i-- ) {
             const c = hostname.charCodeAt(i);
             if ( c === 0x2E /* '.' */ ) {
+                if ( j === LABEL_INDICES_SLOT + 1 + 2 * (HOSTNAME_MAX_LABELS - 1) ) {
+                    return (buf[LABEL_INDICES_SLOT] = 0);
+                }
                 buf[j+0] = i + 1;
                 buf[j+1] = i;
                 j += 2;
@@ -366,7 +1112,41 @@ class PublicSuffixList {
 
     /**************************************************************************/
 
-    // Returns an offset to the start of the public suffix.
+    // Lookup options:
+    // - `icannOnly`: ignore rules from the PRIVATE section of the list
+    // - `idna`: accept unicode hostnames, which are converted to punycode
+    //   using the built-in toASCII()
+    // - `unicode`: return results in unicode rather than punycode, using the
+    //   built-in toUnicode()
+    // - `trailingDot`: how to handle the root dot of a fully qualified
+    //   hostname, e.g. 'www.example.com.': 'reject' it, as any other empty
+    //   label, which is the default; 'strip' it; or 'preserve' it, i.e. strip
+    //   it for the lookup and put it back at the end of the results
+
+    _setLookupOptions(options) {
+        this._pslBuffer8[IGNORED_FLAGS_SLOT] =
+            options !== undefined && options.icannOnly === true ? 0b1000 : 0;
+    }
+
+    // The part of the hostname being looked up which starts at `beg`, with the
+    // root dot if it is preserved.
+
+    _getHostnameArgSuffix(beg) {
+        const suffix = beg === 0 ? this._hostnameArg : this._hostnameArg.slice(beg);
+        return `${suffix}${this._hostnameArgDot}`;
+    }
+
+    _formatResult(result, options) {
+        return options !== undefined && options.unicode === true
+            ? toUnicode(result)
+            : result;
+    }
+
+    /**************************************************************************/
+
+    // Returns an offset to the start of the public suffix. The node of the
+    // prevailing rule is stored at SUFFIX_RULE_SLOT. Rules whose flags
+    // intersect with the flags at IGNORED_FLAGS_SLOT are not considered.
     //
     // WASM-able, because no information outside the buffer content is required.
 
@@ -374,11 +1154,14 @@ class PublicSuffixList {
         const buf8 = this._pslBuffer8;
         const buf32 = this._pslBuffer32;
         const iCharData = buf32[CHARDATA_PTR_SLOT];
+        const ignoredFlags = buf8[IGNORED_FLAGS_SLOT] << 8;
 
         let iNode = this._pslBuffer32[RULES_PTR_SLOT];
         let cursorPos = -1;
         let iLabel = LABEL_INDICES_SLOT;
 
+        buf32[SUFFIX_RULE_SLOT] = 0;
+
         // Label-lookup loop
         for (;;) {
             // Extract label indices
@@ -420,16 +1203,36 @@ class PublicSuffixList {
                 iFound = iCandidates;
             }
             iNode = iFound;
+            let iRule = iNode;
+            let flags = buf32[iNode+0];
+            if ( (flags & ignoredFlags) !== 0 ) { flags = 0; }
+            // The wildcard rule matches the label as well, and prevails when
+            // the node of the label is not a rule, or an ignored one. The
+            // lookup still goes on from the node of the label.
+            if (
+                (flags & 0x00000100) === 0 &&
+                iNode !== iCandidates &&
+                buf8[iCandidates + 1 << 2] === 0x2A /* '*' */
+            ) {
+                if ( labelBeg === 0 ) {
+                    buf8[SUFFIX_NOT_FOUND_SLOT] = 1;
+                }
+                iRule = iCandidates;
+                flags = buf32[iRule+0];
+                if ( (flags & ignoredFlags) !== 0 ) { flags = 0; }
+            }
             // 5. If the prevailing rule is a exception rule, modify it by
             //    removing the leftmost label.
-            if ( (buf32[iNode+0] & 0x00000200) !== 0 ) {
+            if ( (flags & 0x00000200) !== 0 ) {
                 if ( iLabel > LABEL_INDICES_SLOT ) {
+                    buf32[SUFFIX_RULE_SLOT] = iRule;
                     return iLabel - 2;
                 }
                 break;
             }
-            if ( (buf32[iNode+0] & 0x00000100) !== 0 ) {
+            if ( (flags & 0x00000100) !== 0 ) {
                 cursorPos = iLabel;
+                buf32[SUFFIX_RULE_SLOT] = iRule;
             }
             if ( labelBeg === 0 ) { break; }
             iLabel += 2;
@@ -440,35 +1243,51 @@ class PublicSuffixList {
 
     /**************************************************************************/
 
-    getPublicSuffix(hostname) {
+    getPublicSuffix(hostname, options) {
         if ( this._pslBuffer32 === null ) { return EMPTY_STRING; }
 
-        const hostnameLen = this._setHostnameArg(hostname);
+        if ( this._cache !== null && typeof hostname === 'string' ) {
+            return this._formatResult(
+                this._getCacheEntry(hostname, options).publicSuffix,
+                options
+            );
+        }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
         const buf8 = this._pslBuffer8;
         if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
             return EMPTY_STRING;
         }
 
+        this._setLookupOptions(options);
         const cursorPos = this._getPublicSuffixPos();
         if ( cursorPos === -1 ) {
             return EMPTY_STRING;
         }
 
         const beg = buf8[cursorPos + 1];
-        return beg === 0 ? this._hostnameArg : this._hostnameArg.slice(beg);
+        return this._formatResult(this._getHostnameArgSuffix(beg), options);
     }
 
     /**************************************************************************/
 
-    getDomain(hostname) {
+    getDomain(hostname, options) {
         if ( this._pslBuffer32 === null ) { return EMPTY_STRING; }
 
-        const hostnameLen = this._setHostnameArg(hostname);
+        if ( this._cache !== null && typeof hostname === 'string' ) {
+            return this._formatResult(
+                this._getCacheEntry(hostname, options).domain,
+                options
+            );
+        }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
         const buf8 = this._pslBuffer8;
         if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
             return EMPTY_STRING;
         }
 
+        this._setLookupOptions(options);
         const cursorPos = this._getPublicSuffixPos();
         if ( cursorPos === -1 || buf8[cursorPos + 1] === 0 ) {
             return EMPTY_STRING;
@@ -477,20 +1296,166 @@ class PublicSuffixList {
         // 7. The registered or registrable domain is the public suffix plus one
         //    additional label.
         const beg = buf8[cursorPos + 3];
-        return beg === 0 ? this._hostnameArg : this._hostnameArg.slice(beg);
+        return this._formatResult(this._getHostnameArgSuffix(beg), options);
+    }
+
+    /**************************************************************************/
+
+    // The public suffix plus `n` additional labels, i.e. the same as
+    // getDomain() for 1 and as getPublicSuffix() for 0, or an empty string
+    // if the hostname does not have that many labels.
+    //
+    // 'a.b.example.co.uk', 2 => 'b.example.co.uk'
+
+    getDomainAtLevel(hostname, n, options) {
+        if ( this._pslBuffer32 === null ) { return EMPTY_STRING; }
+        if ( Number.isInteger(n) === false || n < 0 ) { return EMPTY_STRING; }
+
+        const cursorPos = this._lookupHostnameArg(hostname, options);
+        if ( cursorPos === -1 ) { return EMPTY_STRING; }
+
+        // The label indices of the hostname come in pairs, from right to left:
+        // the end and the start of each label, the start of the leftmost
+        // label being 0.
+        const buf8 = this._pslBuffer8;
+        let iLabel = cursorPos;
+        for ( let i = 0; i < n; i++ ) {
+            if ( buf8[iLabel + 1] === 0 ) { return EMPTY_STRING; }
+            iLabel += 2;
+        }
+        return this._formatResult(
+            this._getHostnameArgSuffix(buf8[iLabel + 1]),
+            options
+        );
+    }
+
+    // All the domains of a hostname, from its registrable domain to the
+    // hostname itself, or an empty array if it does not have a registrable
+    // domain.
+    //
+    // 'a.b.example.co.uk' => [ 'example.co.uk', 'b.example.co.uk', 'a.b.example.co.uk' ]
+
+    getDomainAncestors(hostname, options) {
+        if ( this._pslBuffer32 === null ) { return []; }
+
+        const cursorPos = this._lookupHostnameArg(hostname, options);
+        if ( cursorPos === -1 ) { return []; }
+
+        const buf8 = this._pslBuffer8;
+        const ancestors = [];
+        let iLabel = cursorPos;
+        while ( buf8[iLabel + 1] !== 0 ) {
+            iLabel += 2;
+            ancestors.push(this._formatResult(
+                this._getHostnameArgSuffix(buf8[iLabel + 1]),
+                options
+            ));
+        }
+        return ancestors;
+    }
+
+    // Returns the offset of the label indices of the public suffix, or -1 if
+    // the hostname can't be looked up.
+
+    _lookupHostnameArg(hostname, options) {
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        if ( hostnameLen === 0 || this._pslBuffer8[0] === 0x2E /* '.' */ ) {
+            return -1;
+        }
+        this._setLookupOptions(options);
+        return this._getPublicSuffixPos();
+    }
+
+    /**************************************************************************/
+
+    // Optional cache of the results of getDomain() and getPublicSuffix(), for
+    // the `size` most recently looked up hostnames. The cache is emptied
+    // whenever the list changes. Enabling the cache resets the hit and miss
+    // counters.
+
+    enableCache({ size = 1000 } = {}) {
+        if ( Number.isInteger(size) === false || size < 1 ) { return false; }
+        if ( this._cache === null ) {
+            this._cache = new Map();
+        }
+        this._cacheSize = size;
+        this._cacheHits = 0;
+        this._cacheMisses = 0;
+        while ( this._cache.size > size ) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        return true;
+    }
+
+    disableCache() {
+        this._cache = null;
+        this._cacheSize = 0;
+    }
+
+    getCacheStats() {
+        return {
+            enabled: this._cache !== null,
+            size: this._cache !== null ? this._cache.size : 0,
+            maxSize: this._cacheSize,
+            hits: this._cacheHits,
+            misses: this._cacheMisses,
+        };
+    }
+
+    // Returns the unformatted public suffix and domain of a hostname, from the
+    // cache if possible. The options which affect the lookup are part of the
+    // key.
+
+    _getCacheEntry(hostname, options) {
+        const flags = options === undefined ? 0 :
+            (options.idna === true ? 0b0001 : 0) |
+            (options.icannOnly === true ? 0b0010 : 0) |
+            (options.trailingDot === 'strip' ? 0b0100 : 0) |
+            (options.trailingDot === 'preserve' ? 0b1000 : 0);
+        const key = `${flags}:${hostname}`;
+        let entry = this._cache.get(key);
+        if ( entry !== undefined ) {
+            this._cacheHits += 1;
+            // Least recently used first
+            this._cache.delete(key);
+            this._cache.set(key, entry);
+            return entry;
+        }
+
+        this._cacheMisses += 1;
+        entry = { publicSuffix: EMPTY_STRING, domain: EMPTY_STRING };
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        const buf8 = this._pslBuffer8;
+        if ( hostnameLen !== 0 && buf8[0] !== 0x2E /* '.' */ ) {
+            this._setLookupOptions(options);
+            const cursorPos = this._getPublicSuffixPos();
+            if ( cursorPos !== -1 ) {
+                const beg = buf8[cursorPos + 1];
+                entry.publicSuffix = this._getHostnameArgSuffix(beg);
+                if ( beg !== 0 ) {
+                    entry.domain = this._getHostnameArgSuffix(buf8[cursorPos + 3]);
+                }
+            }
+        }
+        this._cache.set(key, entry);
+        if ( this._cache.size > this._cacheSize ) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+        return entry;
     }
 
     /**************************************************************************/
 
-    suffixInPSL(hostname) {
+    suffixInPSL(hostname, options) {
         if ( this._pslBuffer32 === null ) { return false; }
 
-        const hostnameLen = this._setHostnameArg(hostname);
+        const hostnameLen = this._setHostnameArg(hostname, options);
         const buf8 = this._pslBuffer8;
         if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
             return false;
         }
 
+        this._setLookupOptions(options);
         buf8[SUFFIX_NOT_FOUND_SLOT] = 0;
         const cursorPos = this._getPublicSuffixPos();
         return cursorPos !== -1 &&
@@ -500,6 +1465,543 @@ class PublicSuffixList {
 
     /**************************************************************************/
 
+    // Returns the section of the list in which the prevailing rule was found:
+    // 'icann', 'private', or an empty string when the prevailing rule is the
+    // implicit "*" rule or a rule found outside of any section.
+
+    getSuffixSection(hostname, options) {
+        if ( this._pslBuffer32 === null ) { return EMPTY_STRING; }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        const buf8 = this._pslBuffer8;
+        if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
+            return EMPTY_STRING;
+        }
+
+        this._setLookupOptions(options);
+        const cursorPos = this._getPublicSuffixPos();
+        if ( cursorPos === -1 ) {
+            return EMPTY_STRING;
+        }
+
+        return this._getSuffixRuleSection();
+    }
+
+    _getSuffixRuleSection() {
+        const buf32 = this._pslBuffer32;
+        return sectionFromFlags(buf32[buf32[SUFFIX_RULE_SLOT]+0] >>> 8 & 0xFF);
+    }
+
+    // The implicit "*" rule is always the first child of the root node
+    _isSuffixRuleDefault() {
+        const buf32 = this._pslBuffer32;
+        return buf32[SUFFIX_RULE_SLOT] === buf32[buf32[RULES_PTR_SLOT]+2];
+    }
+
+    /**************************************************************************/
+
+    // Returns a description of the prevailing rule for `hostname`, or null
+    // when there is none:
+    //
+    // - `rule`: text of the rule as found in the list, e.g. '*.kawasaki.jp'
+    // - `isWildcard`, `isException`: whether the rule is a wildcard or an
+    //   exception rule
+    // - `isDefault`: whether the rule is the implicit "*" rule
+    // - `section`: same as what getSuffixSection() returns
+    // - `publicSuffix`, `domain`: same as what getPublicSuffix() and
+    //   getDomain() return
+    // - `provenance`: line number and preceding comment block of the rule
+    //   in the list, if the list was parsed with the `provenance` option
+
+    explainMatch(hostname, options) {
+        if ( this._pslBuffer32 === null ) { return null; }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        const buf8 = this._pslBuffer8;
+        if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
+            return null;
+        }
+
+        this._setLookupOptions(options);
+        const cursorPos = this._getPublicSuffixPos();
+        if ( cursorPos === -1 ) { return null; }
+
+        const buf32 = this._pslBuffer32;
+        const iNode = buf32[SUFFIX_RULE_SLOT];
+        const isException = (buf32[iNode+0] & 0x00000200) !== 0;
+        const isWildcard = (buf32[iNode+0] & 0x000000FF) === 1 &&
+            buf8[iNode + 1 << 2] === 0x2A /* '*' */;
+
+        // The exception rule has one more label than the public suffix
+        const iLabel = isException ? cursorPos + 2 : cursorPos;
+        let rule = isWildcard
+            ? `*${this._hostnameArg.slice(buf8[iLabel+0])}`
+            : this._hostnameArg.slice(buf8[iLabel+1]);
+        if ( isException ) {
+            rule = `!${rule}`;
+        }
+
+        const provenance = this._provenance !== null
+            ? this._provenance.get(rule)
+            : undefined;
+
+        const beg = buf8[cursorPos + 1];
+        return {
+            rule: this._formatResult(rule, options),
+            isWildcard,
+            isException,
+            isDefault: this._isSuffixRuleDefault(),
+            section: this._getSuffixRuleSection(),
+            publicSuffix: this._formatResult(this._getHostnameArgSuffix(beg), options),
+            domain: beg === 0
+                ? EMPTY_STRING
+                : this._formatResult(this._getHostnameArgSuffix(buf8[cursorPos + 3]), options),
+            provenance: provenance !== undefined ? { ...provenance } : null,
+        };
+    }
+
+    /**************************************************************************/
+
+    // Returns all the rules which match `hostname`, from the fewest labels to
+    // the most, or null when `hostname` can't be looked up. The implicit "*"
+    // rule is included only when it prevails. For each rule, same as what
+    // explainMatch() returns, less `publicSuffix` and `domain`, and:
+    // - `isPrevailing`: whether the rule is the prevailing rule
+    // - `reason`: why the rule prevails or not, as per the algorithm quoted at
+    //   the top of this file:
+    //   - 'no-match' (2.): the implicit "*" rule prevails
+    //   - 'exception-rule' (3.), 'exception-rule-prevails'
+    //   - 'most-labels' (4.), 'fewer-labels'
+    //   - 'same-labels': the rule for the label prevails over the wildcard
+    //     rule which has as many labels
+    //   - 'ignored-section': the rule is ignored because of the `icannOnly`
+    //     option
+
+    getMatchingRules(hostname, options) {
+        if ( this._pslBuffer32 === null ) { return null; }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        const buf8 = this._pslBuffer8;
+        if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
+            return null;
+        }
+
+        this._setLookupOptions(options);
+        const buf32 = this._pslBuffer32;
+        const cursorPos = this._getPublicSuffixPos();
+        const iPrevailing = cursorPos !== -1 ? buf32[SUFFIX_RULE_SLOT] : 0;
+        const prevailingIsException = iPrevailing !== 0 &&
+            (buf32[iPrevailing+0] & 0x00000200) !== 0;
+        // The label indices at which the prevailing rule matched
+        const iPrevailingLabel = prevailingIsException
+            ? cursorPos + 2
+            : cursorPos;
+        const iDefault = buf32[buf32[RULES_PTR_SLOT]+2];
+        const ignoredFlags = buf8[IGNORED_FLAGS_SLOT] << 8;
+
+        const matches = [];
+        const addMatch = (iNode, iLabel, isWildcard) => {
+            const flags = buf32[iNode+0];
+            if ( (flags & 0x00000100) === 0 ) { return; }
+            const isDefault = iNode === iDefault;
+            const isPrevailing = iNode === iPrevailing;
+            // The implicit "*" rule has no section
+            if (
+                isDefault && isPrevailing === false &&
+                (flags & 0x00000C00) === 0
+            ) {
+                return;
+            }
+            const isException = (flags & 0x00000200) !== 0;
+            let rule = isWildcard
+                ? `*${this._hostnameArg.slice(buf8[iLabel+0])}`
+                : this._hostnameArg.slice(buf8[iLabel+1]);
+            if ( isException ) {
+                rule = `!${rule}`;
+            }
+            let reason;
+            if ( (flags & ignoredFlags) !== 0 ) {
+                reason = 'ignored-section';
+            } else if ( isPrevailing ) {
+                reason = isException ? 'exception-rule'
+                    : isDefault ? 'no-match'
+                    : 'most-labels';
+            } else {
+                reason = prevailingIsException ? 'exception-rule-prevails'
+                    : iLabel === iPrevailingLabel ? 'same-labels'
+                    : 'fewer-labels';
+            }
+            const provenance = this._provenance !== null
+                ? this._provenance.get(rule)
+                : undefined;
+            matches.push({
+                rule: this._formatResult(rule, options),
+                isWildcard,
+                isException,
+                isDefault,
+                section: sectionFromFlags(flags >>> 8 & 0xFF),
+                provenance: provenance !== undefined ? { ...provenance } : null,
+                isPrevailing,
+                reason,
+            });
+        };
+
+        // 1. Match domain against all rules and take note of the matching
+        //    ones: at each label, the wildcard rule and the rule for the label
+        //    itself. A wildcard can only be the leftmost label of a rule, so
+        //    only the latter can lead to more matching rules.
+        let iNode = buf32[RULES_PTR_SLOT];
+        let iLabel = LABEL_INDICES_SLOT;
+        for (;;) {
+            const nChildren = buf32[iNode+0] >>> 16;
+            if ( nChildren === 0 ) { break; }
+            const iCandidates = buf32[iNode+2];
+            const hasWildcard = buf8[iCandidates + 1 << 2] === 0x2A /* '*' */;
+            if ( hasWildcard ) {
+                addMatch(iCandidates, iLabel, true);
+            }
+            iNode = this._findChildNode(iCandidates, nChildren, iLabel);
+            if ( iNode === 0 ) { break; }
+            if ( iNode !== iCandidates || hasWildcard === false ) {
+                addMatch(iNode, iLabel, false);
+            }
+            if ( buf8[iLabel+1] === 0 ) { break; }
+            iLabel += 2;
+        }
+
+        return matches;
+    }
+
+    // Same binary search as in _getPublicSuffixPosJS(): returns the node of the
+    // label at `iLabel` among the `n` nodes at `iCandidates`, or 0 if there is
+    // no such node.
+
+    _findChildNode(iCandidates, n, iLabel) {
+        const buf8 = this._pslBuffer8;
+        const buf32 = this._pslBuffer32;
+        const iCharData = buf32[CHARDATA_PTR_SLOT];
+        const labelBeg = buf8[iLabel+1];
+        const labelLen = buf8[iLabel+0] - labelBeg;
+        let l = 0;
+        let r = n;
+        while ( l < r ) {
+            const iCandidate = l + r >>> 1;
+            const iCandidateNode = iCandidates + iCandidate + (iCandidate << 1);
+            const candidateLen = buf32[iCandidateNode+0] & 0x000000FF;
+            let d = labelLen - candidateLen;
+            if ( d === 0 ) {
+                const iCandidateChar = candidateLen <= 4
+                    ? iCandidateNode + 1 << 2
+                    : iCharData + buf32[iCandidateNode+1];
+                for ( let i = 0; i < labelLen; i++ ) {
+                    d = buf8[labelBeg+i] - buf8[iCandidateChar+i];
+                    if ( d !== 0 ) { break; }
+                }
+            }
+            if ( d < 0 ) {
+                r = iCandidate;
+            } else if ( d > 0 ) {
+                l = iCandidate + 1;
+            } else /* if ( d === 0 ) */ {
+                return iCandidateNode;
+            }
+        }
+        return 0;
+    }
+
+    /**************************************************************************/
+
+    // Returns whether `hostname` is an IPv4 address, in any of the forms
+    // accepted by the URL Standard, or an IPv6 address, bracketed or not.
+    //
+    // The lookup methods return empty results for IP addresses, and also for
+    // hostnames which can only be interpreted as IP addresses even if they are
+    // not valid, e.g. '10.0.0.256'.
+
+    isIP(hostname) {
+        if ( typeof hostname !== 'string' || hostname.length === 0 ) {
+            return false;
+        }
+        hostname = hostname.toLowerCase();
+        if ( hostname.startsWith('[') ) {
+            return hostname.endsWith(']') &&
+                   isIPv6Address(hostname.slice(1, -1));
+        }
+        if ( hostname.includes(':') ) {
+            return isIPv6Address(hostname);
+        }
+        return isIPv4Address(hostname);
+    }
+
+    /**************************************************************************/
+
+    // Returns whether `hostname` is a syntactically valid DNS hostname, and if
+    // not, the reason why:
+    // - 'empty-hostname', 'hostname-too-long' (over 253 characters)
+    // - 'leading-dot', 'trailing-dot'
+    // - 'ip-address': see isIP(); the lookup methods also reject hostnames
+    //   which can only be interpreted as IP addresses
+    // - 'empty-label', 'label-too-long' (over 63 characters),
+    //   'invalid-character', 'leading-hyphen', 'trailing-hyphen'
+    // - 'invalid-punycode': an `xn--` label which does not decode to unicode,
+    //   which decodes to control characters, or which is not how its unicode
+    //   form is encoded
+    //
+    // As with the lookup methods, hostnames are not case-sensitive, unicode
+    // hostnames are accepted with the `idna` option, and a root dot with the
+    // `trailingDot` option.
+
+    validateHostname(hostname, options) {
+        const invalid = reason => ({ valid: false, reason });
+        if ( typeof hostname !== 'string' || hostname.length === 0 ) {
+            return invalid('empty-hostname');
+        }
+        hostname = options !== undefined && options.idna === true &&
+                   mustPunycode.test(hostname)
+            ? toASCII(hostname)
+            : hostname.toLowerCase();
+        if ( hostname.charCodeAt(0) === 0x2E /* '.' */ ) {
+            return invalid('leading-dot');
+        }
+        if ( mustBeIPAddress(hostname) ) {
+            return invalid('ip-address');
+        }
+        if ( hostname.charCodeAt(hostname.length - 1) === 0x2E /* '.' */ ) {
+            const trailingDot = options !== undefined
+                ? options.trailingDot
+                : undefined;
+            if ( trailingDot !== 'strip' && trailingDot !== 'preserve' ) {
+                return invalid('trailing-dot');
+            }
+            hostname = hostname.slice(0, -1);
+        }
+        if ( hostname.length > HOSTNAME_MAX_LENGTH ) {
+            return invalid('hostname-too-long');
+        }
+        for ( const label of hostname.split('.') ) {
+            const reason = validateLabel(label);
+            if ( reason !== EMPTY_STRING ) { return invalid(reason); }
+            if ( label.startsWith('xn--') === false ) { continue; }
+            try {
+                const decoded = punycodeDecode(label.slice(4));
+                if (
+                    mustNotDecodeTo.test(decoded) === false &&
+                    toASCII(decoded) === label
+                ) {
+                    continue;
+                }
+            } catch(ex) {
+            }
+            return invalid('invalid-punycode');
+        }
+        return { valid: true, reason: EMPTY_STRING };
+    }
+
+    /**************************************************************************/
+
+    // Returns the hostname found in `input`, which can be a URL, an email
+    // address or a `host:port` string, ready to be passed to the lookup
+    // methods. An empty string is returned for IP addresses, which do not have
+    // a public suffix.
+    //
+    // 'https://user@Example.COM:8443/path' => 'example.com'
+    // 'alice@mail.example.co.uk'           => 'mail.example.co.uk'
+    // '[::1]:80'                           => ''
+
+    extractHostname(input) {
+        if ( typeof input !== 'string' ) { return EMPTY_STRING; }
+        let hostname = input.trim();
+
+        // Scheme, unless what follows the colon is a port number. As in the
+        // WHATWG URL standard, a backslash is the same as a slash in the URLs
+        // of special schemes.
+        const match = /^[a-z][a-z0-9+.-]*:(?!\d+(?:[/?#]|$))/i.exec(hostname);
+        let special = false;
+        if ( match !== null ) {
+            special = /^(?:https?|wss?|ftp|file):$/i.test(match[0]);
+            hostname = hostname.slice(match[0].length);
+        }
+        if ( special ? /^[/\\]{2}/.test(hostname) : hostname.startsWith('//') ) {
+            hostname = hostname.slice(2);
+        }
+
+        // Path, query and fragment
+        const end = hostname.search(special ? /[/?#\\]/ : /[/?#]/);
+        if ( end !== -1 ) {
+            hostname = hostname.slice(0, end);
+        }
+
+        // User information
+        hostname = hostname.slice(hostname.lastIndexOf('@') + 1);
+
+        // Bracketed IPv6 address
+        if ( hostname.startsWith('[') ) { return EMPTY_STRING; }
+
+        // Port
+        hostname = hostname.replace(/:\d*$/, EMPTY_STRING);
+
+        hostname = hostname.toLowerCase();
+        if ( mustBeIPAddress(hostname) ) { return EMPTY_STRING; }
+
+        return hostname;
+    }
+
+    /**************************************************************************/
+
+    // Returns all the parts of `hostname` from a single lookup, or null when
+    // `hostname` can't be looked up. For 'www.example.co.uk':
+    //
+    // - `hostname`: 'www.example.co.uk'
+    // - `publicSuffix`: 'co.uk'
+    // - `domain`: 'example.co.uk'
+    // - `domainWithoutSuffix`: 'example'
+    // - `subdomain`: 'www'
+    // - `tld`: 'uk'
+    // - `isIcann`, `isPrivate`: section of the prevailing rule
+    // - `isListed`: whether the prevailing rule is not the implicit "*" rule
+
+    parseHostname(hostname, options) {
+        if ( this._pslBuffer32 === null ) { return null; }
+
+        const hostnameLen = this._setHostnameArg(hostname, options);
+        const buf8 = this._pslBuffer8;
+        if ( hostnameLen === 0 || buf8[0] === 0x2E /* '.' */ ) {
+            return null;
+        }
+
+        this._setLookupOptions(options);
+        const cursorPos = this._getPublicSuffixPos();
+        hostname = this._hostnameArg;
+
+        const result = {
+            hostname: this._getHostnameArgSuffix(0),
+            publicSuffix: EMPTY_STRING,
+            domain: EMPTY_STRING,
+            domainWithoutSuffix: EMPTY_STRING,
+            subdomain: EMPTY_STRING,
+            tld: this._getHostnameArgSuffix(buf8[LABEL_INDICES_SLOT+1]),
+            isIcann: false,
+            isPrivate: false,
+            isListed: false,
+        };
+        if ( cursorPos !== -1 ) {
+            const section = this._getSuffixRuleSection();
+            result.isIcann = section === 'icann';
+            result.isPrivate = section === 'private';
+            result.isListed = this._isSuffixRuleDefault() === false;
+
+            const suffixBeg = buf8[cursorPos + 1];
+            result.publicSuffix = this._getHostnameArgSuffix(suffixBeg);
+            if ( suffixBeg !== 0 ) {
+                // 7. The registered or registrable domain is the public suffix
+                //    plus one additional label.
+                const domainBeg = buf8[cursorPos + 3];
+                result.domain = this._getHostnameArgSuffix(domainBeg);
+                result.domainWithoutSuffix = hostname.slice(domainBeg, suffixBeg - 1);
+                if ( domainBeg !== 0 ) {
+                    result.subdomain = hostname.slice(0, domainBeg - 1);
+                }
+            }
+        }
+
+        if ( options !== undefined && options.unicode === true ) {
+            for ( const key of [
+                'hostname', 'publicSuffix', 'domain', 'domainWithoutSuffix',
+                'subdomain', 'tld',
+            ] ) {
+                result[key] = toUnicode(result[key]);
+            }
+        }
+
+        return result;
+    }
+
+    /**************************************************************************/
+
+    // Yields every rule of the current list, including a list loaded from a
+    // selfie, as an object:
+    //
+    // - `rule`: text of the rule, in punycode, e.g. '!city.kobe.jp'
+    // - `isWildcard`, `isException`: whether the rule is a wildcard or an
+    //   exception rule
+    // - `section`: 'icann', 'private', or an empty string for a rule found
+    //   outside of any section
+    //
+    // The implicit "*" rule is not yielded. Rules are yielded from a snapshot
+    // of the list taken at the first iteration.
+
+    *rules() {
+        if ( this._pslBuffer32 === null ) { return; }
+        const rootRule = decodeTree(this._pslBuffer32, this._pslBuffer8);
+        const implicitRule = rootRule.c[0];
+        const walk = function*(node, suffix) {
+            if ( node.c === null ) { return; }
+            for ( const child of node.c ) {
+                const rule = suffix !== EMPTY_STRING
+                    ? `${child.l}.${suffix}`
+                    : child.l;
+                const flags = child.f;
+                if (
+                    (flags & 0b01) !== 0 &&
+                    (child !== implicitRule || (flags & 0b1100) !== 0)
+                ) {
+                    const isException = (flags & 0b10) !== 0;
+                    yield {
+                        rule: isException ? `!${rule}` : rule,
+                        isWildcard: child.l === '*',
+                        isException,
+                        section: sectionFromFlags(flags),
+                    };
+                }
+                yield* walk(child, rule);
+            }
+        };
+        yield* walk(rootRule, EMPTY_STRING);
+    }
+
+    /**************************************************************************/
+
+    // Returns the current list, including a list loaded from a selfie, as
+    // canonical text in the same format as the Public Suffix List: rules in
+    // punycode, one per line, grouped by section and sorted by their labels
+    // from right to left, so that parsing the text yields the same list.
+
+    toText() {
+        const sections = new Map([
+            [ EMPTY_STRING, [] ],
+            [ 'icann', [] ],
+            [ 'private', [] ],
+        ]);
+        for ( const { rule, isException, section } of this.rules() ) {
+            sections.get(section).push({
+                rule,
+                labels: (isException ? rule.slice(1) : rule).split('.').reverse(),
+            });
+        }
+        const compare = function(a, b) {
+            const n = Math.min(a.labels.length, b.labels.length);
+            for ( let i = 0; i < n; i++ ) {
+                if ( a.labels[i] === b.labels[i] ) { continue; }
+                return a.labels[i] < b.labels[i] ? -1 : 1;
+            }
+            return a.labels.length - b.labels.length;
+        };
+        const blocks = [];
+        for ( const [ section, rules ] of sections ) {
+            if ( rules.length === 0 ) { continue; }
+            const lines = rules.sort(compare).map(a => a.rule);
+            if ( section !== EMPTY_STRING ) {
+                const name = section.toUpperCase();
+                lines.unshift(`// ===BEGIN ${name} DOMAINS===`);
+                lines.push(`// ===END ${name} DOMAINS===`);
+            }
+            blocks.push(lines.join('\n'));
+        }
+        return blocks.length !== 0 ? `${blocks.join('\n\n')}\n` : EMPTY_STRING;
+    }
+
+    /**************************************************************************/
+
     toSelfie(encoder = null) {
         if ( this._pslBuffer8 === null ) { return ''; }
         if ( encoder !== null ) {
@@ -528,14 +2030,14 @@ class PublicSuffixList {
             const bufferStr = selfie.slice(pos + 1);
             byteLength = decoder.decodeSize(bufferStr);
             if ( byteLength === 0 ) { return false; }
-            this._allocateBuffers(byteLength);
+            if ( this._allocateBuffers(byteLength) === false ) { return false; }
             decoder.decode(bufferStr, this._pslBuffer8.buffer);
         } else if (
             selfie.magic === SELFIE_MAGIC &&
             Array.isArray(selfie.buf32)
         ) {
             byteLength = selfie.buf32.length << 2;
-            this._allocateBuffers(byteLength);
+            if ( this._allocateBuffers(byteLength) === false ) { return false; }
             this._pslBuffer32.set(selfie.buf32);
         } else {
             return false;
@@ -544,6 +2046,7 @@ class PublicSuffixList {
         // Important!
         this._hostnameArg = EMPTY_STRING;
         this._pslBuffer8[LABEL_INDICES_SLOT] = 0;
+        this._provenance = null;
 
         return true;
     }
@@ -630,7 +2133,7 @@ class PublicSuffixList {
             if ( this._pslBuffer32 !== null ) {
                 const buf8 = new Uint8Array(this._pslByteLength);
                 const buf32 = new Uint32Array(buf8.buffer);
-                buf32.set(this._pslBuffer32);
+                buf32.set(this._pslBuffer32.subarray(0, buf32.length));
                 this._pslBuffer8 = buf8;
                 this._pslBuffer32 = buf32;
             }
@@ -644,6 +2147,98 @@ class PublicSuffixList {
 
 /******************************************************************************/
 
-export default new PublicSuffixList();
+// Each instance has its own buffers, hostname argument, WASM state and
+// selfie, such that many lists can be used side by side.
+
+function create() {
+    return new PublicSuffixList();
+}
+
+/******************************************************************************/
+
+// Returns the impact of going from list `a` to list `b`, each of which can be
+// a list as text, a selfie or a PublicSuffixList instance. A selfie encoded
+// as a string with toSelfie(encoder) requires the matching `decoder` option.
+//
+// - `added`, `removed`: rules found only in `b`, only in `a`, as yielded by
+//   rules()
+// - `changed`: rules found in both lists but in a different section, as
+//   `{ rule, before, after }` where `before` and `after` are the sections
+// - `hostnames`: those among the `hostnames` option for which getDomain() or
+//   getPublicSuffix() differ, as `{ hostname, before, after }` where `before`
+//   and `after` are `{ publicSuffix, domain }`
+//
+// Returns null if a list can't be loaded.
+
+function diff(a, b, { hostnames = [], decoder = null } = {}) {
+    const load = function(list) {
+        if ( list instanceof PublicSuffixList ) { return list; }
+        const psl = new PublicSuffixList();
+        if ( typeof list === 'string' ) {
+            if ( list.startsWith(`${SELFIE_MAGIC}\t`) ) {
+                if ( decoder === null ) { return null; }
+                return psl.fromSelfie(list, decoder) ? psl : null;
+            }
+            return psl.parse(list) ? psl : null;
+        }
+        if ( list !== null && typeof list === 'object' ) {
+            return psl.fromSelfie(list) ? psl : null;
+        }
+        return null;
+    };
+    const before = load(a);
+    const after = load(b);
+    if ( before === null || after === null ) { return null; }
+
+    const rulesBefore = new Map();
+    for ( const details of before.rules() ) {
+        rulesBefore.set(details.rule, details);
+    }
+    const result = { added: [], removed: [], changed: [], hostnames: [] };
+    for ( const details of after.rules() ) {
+        const previous = rulesBefore.get(details.rule);
+        if ( previous === undefined ) {
+            result.added.push(details);
+            continue;
+        }
+        rulesBefore.delete(details.rule);
+        if ( previous.section !== details.section ) {
+            result.changed.push({
+                rule: details.rule,
+                before: previous.section,
+                after: details.section,
+            });
+        }
+    }
+    result.removed = Array.from(rulesBefore.values());
+
+    const split = function(psl, hostname) {
+        return {
+            publicSuffix: psl.getPublicSuffix(hostname),
+            domain: psl.getDomain(hostname),
+        };
+    };
+    for ( const hostname of hostnames ) {
+        const splitBefore = split(before, hostname);
+        const splitAfter = split(after, hostname);
+        if (
+            splitBefore.publicSuffix === splitAfter.publicSuffix &&
+            splitBefore.domain === splitAfter.domain
+        ) {
+            continue;
+        }
+        result.hostnames.push({
+            hostname,
+            before: splitBefore,
+            after: splitAfter,
+        });
+    }
+
+    return result;
+}
+
+export { PublicSuffixList, ParseError, create, diff, toASCII, toUnicode };
+
+export default create();
 
 /******************************************************************************/
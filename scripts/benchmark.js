@@ -0,0 +1,98 @@
+/*******************************************************************************
+
+    publicsuffixlist.js - an efficient javascript implementation to deal with
+    Mozilla Foundation's Public Suffix List <http://publicsuffix.org/list/>
+
+    Copyright (C) 2013-present Raymond Hill
+
+    License: pick the one which suits you:
+      GPL v3 see <https://www.gnu.org/licenses/gpl.html>
+      APL v2 see <http://www.apache.org/licenses/LICENSE-2.0>
+
+*/
+
+import { readFileSync } from 'fs';
+import { domainToASCII } from 'url';
+
+const content = readFileSync('./docs/public_suffix_list.dat', 'utf8');
+
+const ROUNDS = 20;
+
+function isOptionSet(name) {
+    return process.argv.slice(2).includes(name);
+}
+
+function customFetch(fileURL) {
+    const buffer = readFileSync(fileURL);
+    return ({
+        async arrayBuffer() {
+            return new Uint8Array(buffer).buffer;
+        }
+    });
+}
+
+// A few hostnames for each rule of the list
+function makeHostnames() {
+    const hostnames = [];
+    for ( let line of content.split('\n') ) {
+        line = line.replace(/\/\/.*$/, '').trim();
+        if ( line === '' ) { continue; }
+        const suffix = domainToASCII(line.replace(/^!/, '').replace(/\*/g, 'foo'));
+        if ( suffix === '' ) { continue; }
+        hostnames.push(
+            suffix,
+            `example.${suffix}`,
+            `www.example.${suffix}`,
+            `a.b.c.example.${suffix}`
+        );
+    }
+    return hostnames;
+}
+
+// Fastest of all rounds, in milliseconds
+function measure(fn) {
+    let best = Infinity;
+    for ( let i = 0; i < ROUNDS; i++ ) {
+        const t0 = performance.now();
+        fn();
+        const t1 = performance.now();
+        if ( t1 - t0 < best ) { best = t1 - t0; }
+    }
+    return best;
+}
+
+function printResult(label, hostnames, milliseconds) {
+    const perSecond = Math.round(hostnames.length / milliseconds * 1000);
+    console.log(`${label}: ${milliseconds.toFixed(1)} ms (${perSecond.toLocaleString()} hostnames/s)`);
+}
+
+(async function () {
+    const publicSuffixList = (await import('../publicsuffixlist.js')).default;
+
+    if ( isOptionSet('--use-wasm') ) {
+        await publicSuffixList.enableWASM({ customFetch });
+    }
+
+    publicSuffixList.parse(content, domainToASCII);
+
+    const hostnames = makeHostnames();
+
+    console.log(`${hostnames.length.toLocaleString()} hostnames, fastest of ${ROUNDS} rounds`);
+    console.log();
+
+    printResult('getDomain()', hostnames, measure(() => {
+        const results = new Array(hostnames.length);
+        for ( let i = 0; i < hostnames.length; i++ ) {
+            results[i] = publicSuffixList.getDomain(hostnames[i]);
+        }
+        return results;
+    }));
+
+    printResult('getPublicSuffix()', hostnames, measure(() => {
+        const results = new Array(hostnames.length);
+        for ( let i = 0; i < hostnames.length; i++ ) {
+            results[i] = publicSuffixList.getPublicSuffix(hostnames[i]);
+        }
+        return results;
+    }));
+})();
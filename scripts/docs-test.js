@@ -34,12 +34,11 @@ const resultTemplateGood = '   Success: checkPublicSuffix({{a}}, {{b}})';
 const resultTemplateBad = '\u2757 Failure: got {{r}} instead: checkPublicSuffix({{a}}, {{b}})';
 
 function checkPublicSuffix(a, b) {
-    // publicSuffixList() does not normalize Unicode, it is the caller's
-    // responsibility, because overhead etc.
-    const anorm = a ? domainToASCII(a) : a;
+    // publicSuffixList() normalizes Unicode only when asked to, because
+    // overhead etc. Results are in punycode.
     const bnorm = b ? domainToASCII(b) : b;
 
-    let r = publicSuffixList.getDomain(anorm);
+    let r = publicSuffixList.getDomain(a, { idna: true });
     if ( !r ) {
         r = null;
     }
@@ -167,7 +166,7 @@ function checkAll() {
 (async function () {
     const text = readFileSync('./docs/public_suffix_list.dat', 'utf8');
 
-    publicSuffixList.parse(text, domainToASCII);
+    publicSuffixList.parse(text);
     console.log('JS');
     console.log();
     checkAll();
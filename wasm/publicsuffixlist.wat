@@ -33,7 +33,8 @@
 ;;
 ;;  Node:
 ;;  +  u8: length of char data
-;;  +  u8: flags => bit 0: is_publicsuffix, bit 1: is_exception
+;;  +  u8: flags => bit 0: is_publicsuffix, bit 1: is_exception,
+;;                  bit 2: is_icann, bit 3: is_private
 ;;  + u16: length of array of children
 ;;  + u32: char data or offset to char data
 ;;  + u32: offset to array of children
@@ -42,11 +43,13 @@
 ;;                                      // i32 /  i8
 ;; const HOSTNAME_SLOT         = 0;     // jshint ignore:line
 ;; const LABEL_INDICES_SLOT    = 256;   //  -- / 256
-;; const RULES_PTR_SLOT        = 100;   // 100 / 400
-;; const SUFFIX_NOT_FOUND_SLOT = 399;   //  -- / 399
-;; const CHARDATA_PTR_SLOT     = 101;   // 101 / 404
+;; const RULES_PTR_SLOT        = 128;   // 128 / 512
+;; const CHARDATA_PTR_SLOT     = 129;   // 129 / 516
+;; const SUFFIX_RULE_SLOT      = 130;   // 130 / 520
+;; const IGNORED_FLAGS_SLOT    = 524;   //  -- / 524
+;; const SUFFIX_NOT_FOUND_SLOT = 525;   //  -- / 525
 ;; const EMPTY_STRING          = '';
-;; const SELFIE_MAGIC          = 2;
+;; const SELFIE_MAGIC          = 4;
 ;;
 
 ;;
@@ -56,11 +59,14 @@
 ;;
 ;; unsigned int getPublicSuffixPos()
 ;;
-;; Returns an offset to the start of the public suffix.
+;; Returns an offset to the start of the public suffix. The node of the
+;; prevailing rule is stored at SUFFIX_RULE_SLOT. Rules whose flags
+;; intersect with the flags at IGNORED_FLAGS_SLOT are not considered.
 ;;
 (func (export "getPublicSuffixPos")
     (result i32)                ;; result = match index, -1 = miss
     (local $iCharData i32)      ;; offset to start of character data
+    (local $ignoredFlags i32)   ;; flags of rules to ignore
     (local $iNode i32)          ;; offset to current node
     (local $iLabel i32)         ;; offset to label indices
     (local $cursorPos i32)      ;; position of cursor within hostname argument
@@ -69,6 +75,7 @@
     (local $nCandidates i32)
     (local $iCandidates i32)
     (local $iFound i32)
+    (local $iRule i32)
     (local $l i32)
     (local $r i32)
     (local $d i32)
@@ -81,11 +88,15 @@
     (local $_3 i32)
     ;;
     ;; const iCharData = buf32[CHARDATA_PTR_SLOT];
-    i32.const 404
+    i32.const 516
     i32.load
     set_local $iCharData
+    ;; const ignoredFlags = buf8[IGNORED_FLAGS_SLOT];
+    i32.const 524
+    i32.load8_u
+    set_local $ignoredFlags
     ;; let iNode = pslBuffer32[RULES_PTR_SLOT];
-    i32.const 400
+    i32.const 512
     i32.load
     i32.const 2
     i32.shl
@@ -96,6 +107,10 @@
     ;; let cursorPos = -1;
     i32.const -1
     set_local $cursorPos
+    ;; buf32[SUFFIX_RULE_SLOT] = 0;
+    i32.const 520
+    i32.const 0
+    i32.store
     ;; label-lookup loop
     ;; for (;;) {
     block $labelLookupDone loop $labelLookup
@@ -259,25 +274,81 @@
             i32.const 0x2A
             i32.ne
             br_if $labelLookupDone
-            i32.const 399
+            i32.const 525
             i32.const 1
             i32.store8
             get_local $iCandidates
             set_local $iFound
         end
         ;; iNode = iFound;
+        ;; let iRule = iNode;
+        ;; let flags = buf32[iNode+0];
+        ;; if ( (flags & ignoredFlags) !== 0 ) { flags = 0; }
         get_local $iFound
         tee_local $iNode
+        tee_local $iRule
+        i32.load8_u offset=1
+        tee_local $_1
+        get_local $ignoredFlags
+        i32.and
+        if
+            i32.const 0
+            set_local $_1
+        end
+        ;; if (
+        ;;     (flags & 0x00000100) === 0 &&
+        ;;     iNode !== iCandidates &&
+        ;;     buf8[iCandidates + 1 << 2] === 0x2A /* '*' */
+        ;; ) {
+        ;;     if ( labelBeg === 0 ) {
+        ;;         buf8[SUFFIX_NOT_FOUND_SLOT] = 1;
+        ;;     }
+        ;;     iRule = iCandidates;
+        ;;     flags = buf32[iRule+0];
+        ;;     if ( (flags & ignoredFlags) !== 0 ) { flags = 0; }
+        ;; }
+        get_local $_1
+        i32.const 0x01
+        i32.and
+        i32.eqz
+        get_local $iNode
+        get_local $iCandidates
+        i32.ne
+        i32.and
+        get_local $iCandidates
+        i32.load8_u offset=4
+        i32.const 0x2A
+        i32.eq
+        i32.and
+        if
+            get_local $labelBeg
+            i32.eqz
+            if
+                i32.const 525
+                i32.const 1
+                i32.store8
+            end
+            get_local $iCandidates
+            tee_local $iRule
+            i32.load8_u offset=1
+            tee_local $_1
+            get_local $ignoredFlags
+            i32.and
+            if
+                i32.const 0
+                set_local $_1
+            end
+        end
         ;; // 5. If the prevailing rule is a exception rule, modify it by
         ;; //    removing the leftmost label.
-        ;; if ( (buf32[iNode+0] & 0x00000200) !== 0 ) {
+        ;; if ( (flags & 0x00000200) !== 0 ) {
         ;;     if ( iLabel > LABEL_INDICES_SLOT ) {
+        ;;         buf32[SUFFIX_RULE_SLOT] = iRule;
         ;;         return iLabel - 2;
         ;;     }
         ;;     break;
         ;; }
-        i32.load8_u offset=1
-        tee_local $_1
+        get_local $_1
         i32.const 0x02
         i32.and
         if
@@ -285,6 +356,11 @@
             i32.const 256
             i32.gt_u
             if
+                i32.const 520
+                get_local $iRule
+                i32.const 2
+                i32.shr_u
+                i32.store
                 get_local $iLabel
                 i32.const -2
                 i32.add
@@ -292,8 +368,9 @@
             end
             br $labelLookupDone
         end
-        ;; if ( (buf32[iNode+0] & 0x00000100) !== 0 ) {
-        ;;     cursorPos = labelBeg;
+        ;; if ( (flags & 0x00000100) !== 0 ) {
+        ;;     cursorPos = iLabel;
+        ;;     buf32[SUFFIX_RULE_SLOT] = iRule;
         ;; }
         get_local $_1
         i32.const 0x01
@@ -301,6 +378,11 @@
         if
             get_local $iLabel
             set_local $cursorPos
+            i32.const 520
+            get_local $iRule
+            i32.const 2
+            i32.shr_u
+            i32.store
         end
         ;; if ( labelBeg === 0 ) { break; }
         get_local $labelBeg